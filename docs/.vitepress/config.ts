@@ -1,162 +1,135 @@
-import mathjax3 from "markdown-it-mathjax3";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { defineConfigWithTheme, type DefaultTheme } from "vitepress";
+import { docsPlugin } from "../../scripts/docsPlugin";
+import { readIssueTemplate, type ReportIssueConfig } from "../../scripts/issue";
+import { getContributors, getFileHistory, getHistoryFile, historyPlugin } from "../../scripts/history";
+import { generateFeeds } from "../../scripts/feed";
+import { checkLinks } from "../../scripts/linkCheck";
+import { generatePwa, type PwaOptions } from "../../scripts/pwa";
+import { searchPlugin } from "../../scripts/searchPlugin";
+import { listDrafts, listIgnoredPages } from "../../scripts/sidebar";
+import { localSearchOptions } from "../../scripts/search";
+import { mathPlugin } from "../../scripts/math";
+import { resolveSiteLocation } from "../../scripts/site";
 
-const customElements = [
-    "math",
-    "maction",
-    "maligngroup",
-    "malignmark",
-    "menclose",
-    "merror",
-    "mfenced",
-    "mfrac",
-    "mi",
-    "mlongdiv",
-    "mmultiscripts",
-    "mn",
-    "mo",
-    "mover",
-    "mpadded",
-    "mphantom",
-    "mroot",
-    "mrow",
-    "ms",
-    "mscarries",
-    "mscarry",
-    "mscarries",
-    "msgroup",
-    "mstack",
-    "mlongdiv",
-    "msline",
-    "mstack",
-    "mspace",
-    "msqrt",
-    "msrow",
-    "mstack",
-    "mstack",
-    "mstyle",
-    "msub",
-    "msup",
-    "msubsup",
-    "mtable",
-    "mtd",
-    "mtext",
-    "mtr",
-    "munder",
-    "munderover",
-    "semantics",
-    "math",
-    "mi",
-    "mn",
-    "mo",
-    "ms",
-    "mspace",
-    "mtext",
-    "menclose",
-    "merror",
-    "mfenced",
-    "mfrac",
-    "mpadded",
-    "mphantom",
-    "mroot",
-    "mrow",
-    "msqrt",
-    "mstyle",
-    "mmultiscripts",
-    "mover",
-    "mprescripts",
-    "msub",
-    "msubsup",
-    "msup",
-    "munder",
-    "munderover",
-    "none",
-    "maligngroup",
-    "malignmark",
-    "mtable",
-    "mtd",
-    "mtr",
-    "mlongdiv",
-    "mscarries",
-    "mscarry",
-    "msgroup",
-    "msline",
-    "msrow",
-    "mstack",
-    "maction",
-    "semantics",
-    "annotation",
-    "annotation-xml",
-    "mjx-container",
-    "mjx-assistive-mml",
-];
+const srcDir = fileURLToPath(new URL("..", import.meta.url));
+// 部署路径和站点地址可以用 WIKI_BASE、WIKI_SITE_URL 环境变量修改，见 scripts/site.ts；
+// 页面和组件中的站内路径都要经过 base（markdown 链接自动处理，组件中用 withBase()）
+const site = resolveSiteLocation();
+// 源码仓库，页面底部的“编辑此页”和“报告问题”链接指向这里
+const repository = "https://github.com/General-Computer-Junkyard/djtu-wiki";
+// 安装到桌面和离线阅读（manifest.webmanifest 和 sw.js），见 scripts/pwa.ts
+const pwa: PwaOptions = {
+  shortName: "djtu-wiki",
+  themeColor: "#3451b2",
+  backgroundColor: "#ffffff",
+  // Chrome 和 Android 要求至少有 192×192 和 512×512 的图标才能安装
+  icons: ["/png/logo-192.png", "/png/logo-512.png"],
+};
 
-import { defineConfig } from "vitepress";
-import sidebars from "./sidebar";
-
-export default defineConfig({
-  base: "/djtu-wiki/",
+export default defineConfigWithTheme<DefaultTheme.Config & { reportIssue: ReportIssueConfig }>({
+  base: site.base,
+  lang: "zh-CN",
   title: "djtu-wiki",
   description: "Djtu生存指南科学讲义",
+  // 订阅源和 PWA 的 manifest 由 buildEnd 生成，在页面中声明以便阅读器和浏览器发现
   head: [
-    [
-      "link",
-      {
-        rel: "stylesheet",
-        href: "https://cdn.jsdelivr.net/npm/katex@0.16.8/dist/katex.min.css",
-      },
-    ],
+    ["link", { rel: "alternate", type: "application/rss+xml", title: "djtu-wiki", href: `${site.base}feed.xml` }],
+    ["link", { rel: "alternate", type: "application/atom+xml", title: "djtu-wiki", href: `${site.base}atom.xml` }],
+    ["link", { rel: "manifest", href: `${site.base}manifest.webmanifest` }],
+    ["link", { rel: "apple-touch-icon", href: `${site.base}png/logo.png` }],
+    ["meta", { name: "theme-color", content: pwa.themeColor }],
   ],
+  // .wikiignore 忽略的文件不作为页面；frontmatter 中 draft: true 的页面只在 docs:dev 中显示，构建时排除
+  srcExclude: [
+    ...listIgnoredPages(srcDir),
+    ...(process.env.NODE_ENV === "production" ? listDrafts(srcDir) : []),
+  ],
+  // 最后更新时间、贡献者和修改历史都来自 git 记录（部署时需要完整的提交历史，见 deploy.yml 中的 fetch-depth）
+  lastUpdated: true,
+  // sitemap.xml 只包含实际构建的页面（不含草稿和被忽略的页面），hostname 中带有 base
+  sitemap: {
+    hostname: site.url,
+  },
+  transformPageData(pageData) {
+    const fullPath = path.join(srcDir, pageData.relativePath);
+    if (getFileHistory(fullPath).length === 0) return;
+    return {
+      contributors: getContributors(fullPath),
+      historyFile: getHistoryFile(pageData.relativePath),
+    };
+  },
   themeConfig: {
-    nav: [
-      { text: "Home", link: "/" },
-      {
-        text: "Guide",
-        items: [
-          { text: "立志篇", link: "/guide/aspire" },
-          { text: "方向篇", link: "/guide/direction" },
-          { text: "生存篇", link: "/guide/being" },
-        ],
-      },
-      {
-        text: "Programming Languages",
-        items: [
-          { text: "C & C++", link: "/language/cpp/" },
-          { text: "Python", link: "/language/python/" },
-          { text: "Rust", link: "/language/rust/" },
-        ],
-      },
-      {
-        text: "Technology Stack",
-        items: [
-          { text: "算法", link: "/jobs/algorithm/1" },
-          { text: "人工智能", link: "/jobs/ai/hello" },
-          { text: "Web 开发", link: "/jobs/Web/hello" },
-          { text: "嵌入式开发", link: "/jobs/embedded/hello" },
-          { text: "typst和latex", link: "/jobs/Typst/latex" },
-        ],
-      },
-      {
-        text: "Course",
-        items: [
-          { text: "泛计算机类资源搜集", link: "/course" },
-        ],
-      },
-    ],
-    sidebar: sidebars,
+    lastUpdated: {
+      text: "最后更新于",
+    },
+    editLink: {
+      pattern: `${repository}/edit/main/docs/:path`,
+      text: "在 GitHub 上编辑此页",
+    },
+    // 页面底部的“报告问题”链接，新 issue 按模板预填，并附上页面路径、章节和选中的文字（见 theme/components/ReportIssue.vue）
+    reportIssue: {
+      url: `${repository}/issues/new`,
+      template: readIssueTemplate(
+        fileURLToPath(new URL("../../.github/ISSUE_TEMPLATE/feature_request.md", import.meta.url)),
+      ),
+    },
+    // 本地全文搜索，支持中文分词和拼音（首字母）搜索
+    search: {
+      provider: "local",
+      options: localSearchOptions,
+    },
   },
   markdown: {
+    // $...$ 和 $$...$$ 中的公式在构建时渲染成 SVG，不依赖 CDN；支持宏、\label / \ref 编号引用，见 scripts/math.ts
     config: (md) => {
-      md.use(mathjax3);
+      md.use(mathPlugin, {
+        // 全站可用的宏，页面自己的宏写在 frontmatter 的 macros 中
+        macros: {
+          N: "\\mathbb{N}",
+          Z: "\\mathbb{Z}",
+          Q: "\\mathbb{Q}",
+          R: "\\mathbb{R}",
+          C: "\\mathbb{C}",
+        },
+        cacheDir: fileURLToPath(new URL("../../node_modules/.cache/math", import.meta.url)),
+      });
     },
   },
   vue: {
     template: {
       compilerOptions: {
-        isCustomElement: (tag) => customElements.includes(tag),
+        // MathJax 输出中的 mjx-container 等标签不是 Vue 组件，MathML 标签 Vue 本身就能识别
+        isCustomElement: (tag) => tag.startsWith("mjx-"),
       },
     },
   },
+  // 构建完成后检查站内链接、锚点和资源，有失效的引用时构建失败；
+  // 它覆盖了 VitePress 自带的死链检查，关掉后者以便一次列出所有问题
+  ignoreDeadLinks: true,
+  buildEnd: (siteConfig) => {
+    // feed.xml 和 atom.xml：最近新增和有较大更新的页面，见 scripts/feed.ts
+    generateFeeds(siteConfig, { url: site.url });
+    // 放在最后生成，它的版本号包含订阅源在内的整个构建结果
+    generatePwa(siteConfig, pwa);
+    checkLinks(siteConfig, {
+      // MNIST 演示的模型由 jobs/ai/convert_model.py 生成到 public/model，没有提交到仓库
+      ignore: ["/model/"],
+    });
+  },
   vite: {
+    // 侧边栏和导航栏由 docsPlugin 根据 docs 目录生成，板块名称和顺序见各目录的 _meta.yml
+    // searchPlugin 把 PDF 和源代码文件加入本地搜索，historyPlugin 输出页面历史面板使用的数据
+    plugins: [
+      docsPlugin({
+        nav: {
+          prepend: [{ text: "Home", link: "/" }],
+        },
+      }),
+      searchPlugin(),
+      historyPlugin(),
+    ],
     ssr: {
       noExternal: ["vue"],
     },
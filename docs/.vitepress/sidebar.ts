@@ -1,264 +0,0 @@
-export default {
-  "/course/": [
-    {
-      "text": "Computer Architecture",
-      "link": "/course/Computer-Architecture"
-    },
-    {
-      "text": "Database",
-      "link": "/course/database"
-    },
-    {
-      "text": "Index",
-      "link": "/course/index"
-    },
-    {
-      "text": "Operating System",
-      "link": "/course/operating-system"
-    }
-  ],
-  "/guide/": [
-    {
-      "text": "Aspire",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "1",
-          "link": "/guide/aspire/1"
-        },
-        {
-          "text": "Index",
-          "link": "/guide/aspire/index"
-        },
-        {
-          "text": "Question",
-          "link": "/guide/aspire/question"
-        }
-      ]
-    },
-    {
-      "text": "Being",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "3",
-          "link": "/guide/being/3"
-        },
-        {
-          "text": "Index",
-          "link": "/guide/being/index"
-        },
-        {
-          "text": "Internet",
-          "link": "/guide/being/Internet"
-        },
-        {
-          "text": "Note",
-          "link": "/guide/being/note"
-        },
-        {
-          "text": "Resource",
-          "link": "/guide/being/resource"
-        }
-      ]
-    },
-    {
-      "text": "Direction",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "2",
-          "link": "/guide/direction/2"
-        },
-        {
-          "text": "Index",
-          "link": "/guide/direction/index"
-        }
-      ]
-    },
-    {
-      "text": "Index",
-      "link": "/guide/index"
-    }
-  ],
-  "/jobs/": [
-    {
-      "text": "Ai",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "Cv",
-          "link": "/jobs/ai/cv"
-        },
-        {
-          "text": "Hello",
-          "link": "/jobs/ai/hello"
-        },
-        {
-          "text": "Index",
-          "link": "/jobs/ai/index"
-        }
-      ]
-    },
-    {
-      "text": "Algorithm",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "1",
-          "link": "/jobs/algorithm/1"
-        },
-        {
-          "text": "Index",
-          "link": "/jobs/algorithm/index"
-        },
-        {
-          "text": "Template",
-          "link": "/jobs/algorithm/template"
-        }
-      ]
-    },
-    {
-      "text": "Embedded",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "Hello",
-          "link": "/jobs/embedded/hello"
-        }
-      ]
-    },
-    {
-      "text": "Index",
-      "link": "/jobs/index"
-    },
-    {
-      "text": "Typst",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "Index",
-          "link": "/jobs/Typst/index"
-        },
-        {
-          "text": "Latex",
-          "link": "/jobs/Typst/latex"
-        },
-        {
-          "text": "Typst",
-          "link": "/jobs/Typst/typst"
-        }
-      ]
-    },
-    {
-      "text": "Web",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "Hello",
-          "link": "/jobs/Web/hello"
-        }
-      ]
-    }
-  ],
-  "/language/": [
-    {
-      "text": "Cpp",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "Index",
-          "link": "/language/cpp/index"
-        },
-        {
-          "text": "Two",
-          "link": "/language/cpp/two"
-        }
-      ]
-    },
-    {
-      "text": "Index",
-      "link": "/language/index"
-    },
-    {
-      "text": "Python",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "Index",
-          "link": "/language/python/index"
-        },
-        {
-          "text": "One",
-          "link": "/language/python/one"
-        }
-      ]
-    },
-    {
-      "text": "Rust",
-      "collapsible": true,
-      "items": [
-        {
-          "text": "1.SUMMARY",
-          "link": "/language/rust/1.SUMMARY"
-        },
-        {
-          "text": "2.Express",
-          "link": "/language/rust/2.express"
-        },
-        {
-          "text": "3.Compounds And Strings",
-          "link": "/language/rust/3.compounds-and-strings"
-        },
-        {
-          "text": "4.Vector And Type Conversion",
-          "link": "/language/rust/4.vector-and-type-conversion"
-        },
-        {
-          "text": "5.Statement Macro",
-          "link": "/language/rust/5.statement-macro"
-        },
-        {
-          "text": "6.Ownership",
-          "link": "/language/rust/6.ownership"
-        },
-        {
-          "text": "7.Structured Code",
-          "link": "/language/rust/7.structured-code"
-        },
-        {
-          "text": "8.Enumerate",
-          "link": "/language/rust/8.enumerate"
-        },
-        {
-          "text": "9.Recursion",
-          "link": "/language/rust/9.recursion"
-        },
-        {
-          "text": "10.Pattern Matching",
-          "link": "/language/rust/10.pattern-matching"
-        },
-        {
-          "text": "11.Container",
-          "link": "/language/rust/11.container"
-        },
-        {
-          "text": "12.Iterator",
-          "link": "/language/rust/12.iterator"
-        },
-        {
-          "text": "13.Special Type Or Generics",
-          "link": "/language/rust/13.special-type-or-generics"
-        },
-        {
-          "text": "14.Smart Pointer",
-          "link": "/language/rust/14.smart-pointer"
-        },
-        {
-          "text": "Index",
-          "link": "/language/rust/index"
-        }
-      ]
-    }
-  ]
-};
\ No newline at end of file
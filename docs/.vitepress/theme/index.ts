@@ -1,16 +1,54 @@
 import { h } from 'vue'
+import { defineClientComponent, inBrowser } from 'vitepress'
 import DefaultTheme from 'vitepress/theme'
 //import './style.css'
 
 import './tailwind.css'
+import './sidebar.css'
+import './math.css'
+import DraftBanner from './components/DraftBanner.vue'
+import PageHistory from './components/PageHistory.vue'
+import ReportIssue from './components/ReportIssue.vue'
+import UpdatePrompt from './components/UpdatePrompt.vue'
 
+// docs 下和共享组件目录 .vitepress/components 中的 Vue 组件都注册为全局组件，页面中直接写 <MnistVisualizer /> 即可，
+// 不需要 <script setup> 和 <ClientOnly>；组件只在浏览器中按需加载，组件名是文件名，重名时共享组件优先。
+// 注册的范围要和 scripts/searchFiles.ts 的 listGlobalComponents 保持一致
+const components = new Map()
+for (const [file, loader] of Object.entries({
+  ...import.meta.glob(['../../**/*.vue', '!../../public/**']),
+  ...import.meta.glob('../components/**/*.vue')
+})) {
+  components.set(file.split('/').pop().replace(/\.vue$/, ''), loader)
+}
 
 export default {
   extends: DefaultTheme,
   Layout: () => {
-    return h(DefaultTheme.Layout)
+    return h(DefaultTheme.Layout, null, {
+      // 草稿页面顶部的提示
+      'doc-before': () => h(DraftBanner),
+      // 贡献者和修改历史（数据来自 git 记录），以及报告问题的链接
+      'doc-footer-before': () => [h(PageHistory), h(ReportIssue)],
+      // 注册 service worker（离线阅读），有新的部署时提示刷新
+      'layout-bottom': () => h(UpdatePrompt)
+    })
   },
-  enhanceApp({ app }) {
-    // 注册全局组件如果需要
+  enhanceApp({ app, router }) {
+    for (const [name, loader] of components) {
+      app.component(name, defineClientComponent(loader))
+    }
+
+    // 搜索结果中的 PDF、源代码文件不是页面，交给浏览器直接打开；
+    // 路由在调用这里之前会给没有 .html 的路径加上 .html（如 复分析note.pdf.html），先去掉再判断
+    router.onBeforeRouteChange = (href) => {
+      if (!inBrowser) return
+      const url = new URL(href, location.href)
+      url.pathname = url.pathname.replace(/\.html$/, '')
+      if (/\.\w+$/.test(url.pathname)) {
+        location.href = url.href
+        return false
+      }
+    }
   }
 }
\ No newline at end of file
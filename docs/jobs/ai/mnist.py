@@ -9,16 +9,20 @@ print("NumPy version:", np.__version__)
 mnist = tf.keras.datasets.mnist
 (x_train, y_train), (x_test, y_test) = mnist.load_data()
 
-# 数据预处理
-x_train = x_train.astype('float32') / 255.0
-x_test = x_test.astype('float32') / 255.0
+# 数据预处理，卷积层需要通道维度：(28, 28) → (28, 28, 1)
+x_train = x_train.astype('float32')[..., np.newaxis] / 255.0
+x_test = x_test.astype('float32')[..., np.newaxis] / 255.0
 
-# 构建一个更简单的模型
+# 卷积神经网络，层名会显示在网页的可视化中（MnistVisualizer.vue 逐层展示它们的输出）
 model = tf.keras.Sequential([
-    tf.keras.layers.Flatten(input_shape=(28, 28)),
-    tf.keras.layers.Dense(128, activation='relu'),
-    tf.keras.layers.Dropout(0.2),
-    tf.keras.layers.Dense(10, activation='softmax')
+    tf.keras.layers.Conv2D(32, 3, padding='same', activation='relu', input_shape=(28, 28, 1), name='conv1'),
+    tf.keras.layers.MaxPooling2D(2, name='pool1'),
+    tf.keras.layers.Conv2D(64, 3, padding='same', activation='relu', name='conv2'),
+    tf.keras.layers.MaxPooling2D(2, name='pool2'),
+    tf.keras.layers.Flatten(name='flatten'),
+    tf.keras.layers.Dense(128, activation='relu', name='dense'),
+    tf.keras.layers.Dropout(0.2, name='dropout'),
+    tf.keras.layers.Dense(10, activation='softmax', name='output')
 ])
 
 # 编译模型
@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import type { Plugin } from 'vite';
+import type { SiteConfig } from 'vitepress';
+import { buildSidebar, getSections, listDownloads } from './sidebar';
+import { buildNav, findDeadNavLinks, type NavOptions } from './nav';
+
+export interface DocsPluginOptions {
+  nav?: NavOptions;
+}
+
+// 会影响侧边栏和导航栏的文件：页面本身（标题、frontmatter）、各目录的 _meta 配置和 .wikiignore
+const docsSourceRE = /(\.md|[\\/]_meta\.(json|ya?ml)|[\\/]\.wikiignore)$/;
+
+// 在加载配置时根据 docs 目录生成侧边栏和导航栏，docs:dev 期间文档增删改后重新生成并热更新
+export function docsPlugin(options: DocsPluginOptions = {}): Plugin {
+  let siteConfig: SiteConfig;
+  let includeDrafts = false;
+  let serialized = '';
+
+  // 重新生成侧边栏和导航栏，内容没有变化时返回 false
+  function refresh(): boolean {
+    const sections = getSections(siteConfig.srcDir, { base: siteConfig.site.base, includeDrafts });
+    const sidebar = buildSidebar(sections);
+    const nav = buildNav(sections, options.nav);
+    const next = JSON.stringify({ sidebar, nav });
+    if (next === serialized) return false;
+
+    serialized = next;
+    siteConfig.site.themeConfig.sidebar = sidebar;
+    siteConfig.site.themeConfig.nav = nav;
+
+    findDeadNavLinks(siteConfig.srcDir, nav).forEach(link => {
+      siteConfig.logger.warn(`(!) Nav link does not resolve to a page: ${link}`);
+    });
+    return true;
+  }
+
+  return {
+    name: 'djtu-wiki:docs',
+
+    configResolved(config) {
+      siteConfig = (config as any).vitepress;
+      // 草稿只在 docs:dev 中出现，构建时由 config.ts 中的 srcExclude 排除
+      includeDrafts = config.command === 'serve';
+      refresh();
+    },
+
+    // 侧边栏中的下载文件没有被页面引用，Vite 不会打包它们，需要原样输出到构建目录（开发时 Vite 直接提供 docs 下的文件）
+    generateBundle() {
+      listDownloads(siteConfig.srcDir).forEach(fileName => {
+        this.emitFile({
+          type: 'asset',
+          fileName,
+          source: fs.readFileSync(path.join(siteConfig.srcDir, fileName))
+        });
+      });
+    },
+
+    configureServer(server) {
+      const srcDir = path.resolve(siteConfig.srcDir);
+
+      const onFileChange = async (file: string) => {
+        if (!docsSourceRE.test(file) || !path.resolve(file).startsWith(srcDir)) return;
+
+        try {
+          if (!refresh()) return;
+        } catch (error) {
+          server.config.logger.error(`Failed to regenerate sidebar and nav: ${(error as Error).message}`);
+          return;
+        }
+
+        // 站点数据（含 themeConfig）由 /@siteData 模块提供，客户端会接受它的热更新
+        const siteDataModule = server.moduleGraph.getModuleById('/@siteData');
+        if (siteDataModule) await server.reloadModule(siteDataModule);
+      };
+
+      server.watcher
+        .on('add', onFileChange)
+        .on('unlink', onFileChange)
+        .on('change', onFileChange);
+    }
+  };
+}
@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import type { SiteConfig } from 'vitepress';
+import { getFileHistory } from './history';
+import { findFirstHeading, stripInlineMarkdown } from './sidebar';
+
+export interface FeedOptions {
+  // 站点首页的完整地址（包含 base），订阅源中的链接都是绝对地址
+  url: string;
+  // 订阅源中最多保留的条目数
+  limit?: number;
+}
+
+interface FeedItem {
+  // 条目的唯一标识：新增页面用页面地址，更新用页面地址加提交号
+  id: string;
+  title: string;
+  link: string;
+  description: string;
+  author: string;
+  date: Date;
+}
+
+// 一次提交修改的行数达到这个数量，或达到全文行数的这个比例，才算作“较大更新”，错别字之类的小修改不进订阅源
+const minChangedLines = 20;
+const minChangedRatio = 0.3;
+// 比例很大但只改了几行的短页面也不算
+const minRatioChangedLines = 5;
+const maxDescriptionLength = 200;
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// 页面相对路径对应的地址：foo/index.md → foo/，foo/bar.md → foo/bar.html
+function getPageUrl(siteUrl: string, page: string, cleanUrls: boolean): string {
+  const link = page.replace(/(^|\/)index\.md$/, '$1').replace(/\.md$/, cleanUrls ? '' : '.html');
+  return siteUrl + link.split('/').map(encodeURIComponent).join('/');
+}
+
+// 没有 frontmatter description 时取正文的第一段，跳过标题、代码块、组件和 HTML
+function findFirstParagraph(content: string): string {
+  let fence: string | null = null;
+  const paragraph: string[] = [];
+
+  for (const line of content.split(/\r?\n/)) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (fence === null) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1].startsWith(fence)) {
+        fence = null;
+      }
+      if (paragraph.length) break;
+      continue;
+    }
+    if (fence !== null) continue;
+
+    const text = line.trim();
+    if (!text || /^(#|<|import\s|[-*_]{3,}$|\||\$\$|:::)/.test(text)) {
+      if (paragraph.length) break;
+      continue;
+    }
+    paragraph.push(stripInlineMarkdown(text.replace(/^(>\s*|[-*+]\s+|\d+\.\s+)/, '')));
+  }
+
+  const text = paragraph.join(' ').replace(/\s+/g, ' ').trim();
+  return text.length > maxDescriptionLength ? `${text.slice(0, maxDescriptionLength)}…` : text;
+}
+
+function parseDate(value: unknown): Date | undefined {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = value instanceof Date ? value : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// 一个页面对应的条目：第一次提交（或 frontmatter 的 date）是“新增”，之后的较大修改各是一条“更新”
+function getPageItems(siteConfig: SiteConfig, page: string, siteUrl: string): FeedItem[] {
+  const fullPath = path.join(siteConfig.srcDir, page);
+  const source = fs.readFileSync(fullPath, 'utf-8');
+  const { data, content } = matter(source);
+  const history = getFileHistory(fullPath);
+  const created = history[history.length - 1];
+  const date = parseDate(data.date) ?? (created && new Date(created.date));
+  // 既没有提交记录也没有 date 的页面无法确定时间，不放进订阅源
+  if (!date) return [];
+
+  const title = String(data.title || findFirstHeading(content) || path.basename(page, '.md'));
+  const link = getPageUrl(siteUrl, page, !!siteConfig.cleanUrls);
+  const description = String(data.description || findFirstParagraph(content));
+  const totalLines = source.split('\n').length;
+
+  const items: FeedItem[] = [{ id: link, title, link, description, author: created?.author ?? '', date }];
+  history.slice(0, -1).forEach(commit => {
+    const changed = commit.added + commit.deleted;
+    if (changed < minChangedLines && (changed < minRatioChangedLines || changed / totalLines < minChangedRatio)) return;
+    items.push({
+      id: `${link}#${commit.hash.slice(0, 7)}`,
+      title: `${title}（更新）`,
+      link,
+      description: `${commit.subject}\n\n${description}`,
+      author: commit.author,
+      date: new Date(commit.date)
+    });
+  });
+  return items;
+}
+
+function renderRss(siteConfig: SiteConfig, siteUrl: string, items: FeedItem[]): string {
+  const { title, description, lang } = siteConfig.site;
+  const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="${item.id === item.link}">${escapeXml(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>${item.author ? `
+      <dc:creator>${escapeXml(item.author)}</dc:creator>` : ''}
+      <description>${escapeXml(item.description)}</description>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>${escapeXml(description)}</description>
+    <language>${escapeXml(lang)}</language>
+    <atom:link href="${escapeXml(siteUrl)}feed.xml" rel="self" type="application/rss+xml"/>${items.length ? `
+    <lastBuildDate>${items[0].date.toUTCString()}</lastBuildDate>` : ''}
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(siteConfig: SiteConfig, siteUrl: string, items: FeedItem[]): string {
+  const { title, description, lang } = siteConfig.site;
+  const updated = (items[0]?.date ?? new Date()).toISOString();
+  const entries = items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.link)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <updated>${item.date.toISOString()}</updated>${item.author ? `
+    <author><name>${escapeXml(item.author)}</name></author>` : ''}
+    <summary>${escapeXml(item.description)}</summary>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(lang)}">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <id>${escapeXml(siteUrl)}</id>
+  <link href="${escapeXml(siteUrl)}"/>
+  <link href="${escapeXml(siteUrl)}atom.xml" rel="self" type="application/atom+xml"/>
+  <updated>${updated}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+// 在构建输出中生成 feed.xml（RSS 2.0）和 atom.xml，列出最近新增和有较大更新的页面；
+// 页面来自 siteConfig.pages，草稿和 .wikiignore 忽略的页面已经被排除
+export function generateFeeds(siteConfig: SiteConfig, { url, limit = 30 }: FeedOptions): void {
+  const items = siteConfig.pages
+    .flatMap(page => getPageItems(siteConfig, page, url))
+    .sort((a, b) => b.date.getTime() - a.date.getTime())
+    .slice(0, limit);
+
+  fs.writeFileSync(path.join(siteConfig.outDir, 'feed.xml'), renderRss(siteConfig, url, items));
+  fs.writeFileSync(path.join(siteConfig.outDir, 'atom.xml'), renderAtom(siteConfig, url, items));
+}
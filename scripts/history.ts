@@ -0,0 +1,173 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import type { Plugin } from 'vite';
+import type { SiteConfig } from 'vitepress';
+
+export interface Commit {
+  hash: string;
+  author: string;
+  email: string;
+  // 提交时间，Unix 时间戳（毫秒）
+  date: number;
+  subject: string;
+  // 提交时文件所在的路径（相对于仓库根目录），文件被重命名过时和现在不同
+  file: string;
+  // 这次提交增加和删除的行数
+  added: number;
+  deleted: number;
+}
+
+export interface Contributor {
+  name: string;
+  commits: number;
+}
+
+export interface CommitWithDiff extends Omit<Commit, 'email' | 'file' | 'added' | 'deleted'> {
+  diff: string;
+}
+
+// 历史面板中每个版本最多显示的 diff 行数，超出的部分截断
+const maxDiffLines = 400;
+
+function git(args: string[], cwd: string): string {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'ignore'] });
+}
+
+// numstat 中重命名的路径写作 a/{old => new}/b 或 old => new，取新路径
+function parseRenamedPath(file: string): string {
+  return file
+    .replace(/\{([^{}]*) => ([^{}]*)\}/, '$2')
+    .replace(/^.* => (.*)$/, '$1')
+    .replace(/\/\//g, '/');
+}
+
+// 同一个文件在一次构建中会被多次查询（页面数据、历史文件），结果按文件缓存
+const historyCache = new Map<string, Commit[]>();
+
+// 修改过文件的提交，从新到旧，跟随重命名；不在 git 仓库中或 git 不可用时返回空数组
+export function getFileHistory(fullPath: string): Commit[] {
+  let history = historyCache.get(fullPath);
+  if (history) return history;
+
+  history = [];
+  try {
+    const cwd = path.dirname(fullPath);
+    const output = git(
+      ['log', '--follow', '--no-merges', '--numstat', '--format=%x1e%H%x1f%an%x1f%ae%x1f%at%x1f%s', '--', path.basename(fullPath)],
+      cwd
+    );
+    for (const record of output.split('\x1e').slice(1)) {
+      const [header, ...lines] = record.split('\n');
+      const [hash, author, email, date, subject] = header.split('\x1f');
+      // numstat 的一行：增加行数 删除行数 路径，二进制文件的行数是 -
+      const stat = lines.find(Boolean)?.split('\t');
+      if (!stat) continue;
+      history.push({
+        hash,
+        author,
+        email,
+        date: Number(date) * 1000,
+        subject,
+        file: parseRenamedPath(stat.slice(2).join('\t')),
+        added: Number(stat[0]) || 0,
+        deleted: Number(stat[1]) || 0
+      });
+    }
+  } catch {
+    // 没有 git 或文件不在仓库中：不显示历史
+  }
+
+  historyCache.set(fullPath, history);
+  return history;
+}
+
+// 按提交次数排列的贡献者，同一个邮箱算作同一个人
+export function getContributors(fullPath: string): Contributor[] {
+  const contributors = new Map<string, Contributor>();
+  getFileHistory(fullPath).forEach(({ author, email }) => {
+    const key = email.toLowerCase() || author;
+    const contributor = contributors.get(key) ?? { name: author, commits: 0 };
+    contributor.commits++;
+    contributors.set(key, contributor);
+  });
+  return [...contributors.values()].sort((a, b) => b.commits - a.commits);
+}
+
+// 一次提交对文件的修改，只保留从第一个 @@ 开始的内容；重命名的提交同时传入新旧路径
+function getDiff(repoRoot: string, hash: string, files: string[]): string {
+  const output = git(['show', '--format=', '--no-color', '-M', hash, '--', ...files], repoRoot);
+  const start = output.indexOf('\n@@');
+  if (start === -1) return '';
+
+  const lines = output.slice(start + 1).replace(/\n$/, '').split('\n');
+  if (lines.length <= maxDiffLines) return lines.join('\n');
+  return [...lines.slice(0, maxDiffLines), `… 省略了 ${lines.length - maxDiffLines} 行`].join('\n');
+}
+
+// 历史面板使用的数据：每个版本的提交信息和 diff
+export function getPageHistory(fullPath: string): CommitWithDiff[] {
+  const history = getFileHistory(fullPath);
+  if (history.length === 0) return [];
+
+  const repoRoot = git(['rev-parse', '--show-toplevel'], path.dirname(fullPath)).trim();
+  return history.map(({ email, file, added, deleted, ...commit }, index) => {
+    const previous = history[index + 1]?.file;
+    const files = previous && previous !== file ? [previous, file] : [file];
+    return { ...commit, diff: getDiff(repoRoot, commit.hash, files) };
+  });
+}
+
+// 页面历史文件的路径（相对于站点根目录）：foo/bar.md → page-history/foo/bar.json
+export function getHistoryFile(relativePath: string): string {
+  return `page-history/${relativePath.replace(/\.md$/, '.json')}`;
+}
+
+// 页面的历史记录（含 diff）比较大，不放进页面数据，而是每个页面单独生成一个 JSON 文件，打开历史面板时再加载
+export function historyPlugin(): Plugin {
+  let siteConfig: SiteConfig;
+  let ssr = false;
+
+  return {
+    name: 'djtu-wiki:history',
+
+    configResolved(config) {
+      siteConfig = (config as any).vitepress;
+      ssr = !!config.build.ssr;
+    },
+
+    // 客户端和服务端各构建一次，只在客户端构建时输出
+    generateBundle() {
+      if (ssr) return;
+
+      siteConfig.pages.forEach(page => {
+        const history = getPageHistory(path.join(siteConfig.srcDir, page));
+        if (history.length === 0) return;
+
+        this.emitFile({
+          type: 'asset',
+          fileName: getHistoryFile(page),
+          source: JSON.stringify(history)
+        });
+      });
+    },
+
+    // 开发时按请求实时生成，文件有新的提交后刷新页面即可看到
+    configureServer(server) {
+      const prefix = `${siteConfig.site.base}page-history/`;
+
+      server.middlewares.use((req, res, next) => {
+        const url = decodeURIComponent((req.url || '').split('?')[0]);
+        if (!url.startsWith(prefix) || !url.endsWith('.json')) return next();
+
+        const page = url.slice(prefix.length).replace(/\.json$/, '.md');
+        const fullPath = path.join(siteConfig.srcDir, page);
+        if (!siteConfig.pages.includes(page) || !fs.existsSync(fullPath)) return next();
+
+        historyCache.delete(fullPath);
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(getPageHistory(fullPath)));
+      });
+    }
+  };
+}
@@ -0,0 +1,26 @@
+import fs from 'fs';
+import matter from 'gray-matter';
+
+export interface IssueTemplate {
+  title: string;
+  labels: string[];
+  body: string;
+}
+
+// themeConfig.reportIssue：新建 issue 的地址和预填的模板
+export interface ReportIssueConfig {
+  url: string;
+  template: IssueTemplate;
+}
+
+// 读取 .github/ISSUE_TEMPLATE 中的 issue 模板，页面上的“报告问题”链接用它预填新 issue
+export function readIssueTemplate(file: string): IssueTemplate {
+  const { data, content } = matter(fs.readFileSync(file, 'utf-8'));
+  const labels = Array.isArray(data.labels) ? data.labels : String(data.labels || '').split(',');
+
+  return {
+    title: String(data.title || ''),
+    labels: labels.map(label => String(label).trim()).filter(Boolean),
+    body: content.trim()
+  };
+}
@@ -0,0 +1,167 @@
+import fs from 'fs';
+import path from 'path';
+import type { SiteConfig } from 'vitepress';
+import { listFiles } from './sidebar';
+
+export interface LinkCheckOptions {
+  // 不检查的站内路径前缀（不带 base），例如构建前才生成、不在仓库中的文件
+  ignore?: string[];
+}
+
+type ProblemKind = 'missing-base' | 'hard-coded-base' | 'case-mismatch' | 'missing-file' | 'missing-anchor';
+
+interface Problem {
+  kind: ProblemKind;
+  target: string;
+  source: string;
+  hint?: string;
+}
+
+const problemTitles: Record<ProblemKind, string> = {
+  'missing-base': '缺少 base 前缀（部署后会指向站点之外），组件中请用 withBase() 包裹',
+  'hard-coded-base': '写死了 base 前缀，修改 base 后会失效，请改用 withBase()',
+  'case-mismatch': '路径大小写与实际文件不一致（在区分大小写的服务器上会 404）',
+  'missing-file': '链接的页面或文件不存在',
+  'missing-anchor': '页面中没有链接的锚点'
+};
+
+const attributeRE = /\s(?:href|src|xlink:href)="([^"]*)"/g;
+const idRE = /\sid="([^"]*)"/g;
+// 组件中以 / 开头、看起来是文件路径的字符串字面量，前面是 withBase( 的已经处理了 base
+const componentPathRE = /(withBase\(\s*)?(['"`])(\/[^'"`\s${}]*\.\w+)\2/g;
+
+function safeDecode(value: string): string {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function isExternal(link: string): boolean {
+  return /^([a-z][a-z\d+.-]*:|\/\/)/i.test(link);
+}
+
+// 按大小写不敏感的方式查找文件，返回实际的相对路径，不存在时返回 undefined
+function findActualPath(root: string, relativePath: string): string | undefined {
+  let dir = root;
+  const actual: string[] = [];
+
+  for (const segment of relativePath.split('/').filter(Boolean)) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return undefined;
+    const entries = fs.readdirSync(dir);
+    const match = entries.find(entry => entry === segment) ?? entries.find(entry => entry.toLowerCase() === segment.toLowerCase());
+    if (!match) return undefined;
+    actual.push(match);
+    dir = path.join(dir, match);
+  }
+
+  return actual.join('/');
+}
+
+// 链接对应的输出文件：/a/ → a/index.html，/a → a、a.html 或 a/index.html（和 GitHub Pages 的查找顺序一致）
+function getCandidates(pathname: string): string[] {
+  if (pathname === '' || pathname.endsWith('/')) return [`${pathname}index.html`];
+  return [pathname, `${pathname}.html`, `${pathname}/index.html`];
+}
+
+// 在构建结果上检查所有站内链接、锚点、图片和 public 下的资源，以及 Vue 组件中写死的路径
+export function checkLinks(siteConfig: SiteConfig, options: LinkCheckOptions = {}): void {
+  const { outDir, srcDir } = siteConfig;
+  const base = siteConfig.site.base;
+  const ignored = (pathname: string) => (options.ignore || []).some(prefix => pathname.startsWith(prefix));
+  const problems: Problem[] = [];
+  const idCache = new Map<string, Set<string>>();
+
+  const getIds = (file: string): Set<string> => {
+    let ids = idCache.get(file);
+    if (!ids) {
+      const html = fs.readFileSync(path.join(outDir, file), 'utf-8');
+      ids = new Set(Array.from(html.matchAll(idRE), match => safeDecode(match[1])));
+      idCache.set(file, ids);
+    }
+    return ids;
+  };
+
+  // 检查去掉 base 之后的路径，返回找到的输出文件
+  const checkPath = (pathname: string, target: string, source: string): string | undefined => {
+    for (const candidate of getCandidates(safeDecode(pathname))) {
+      const actual = findActualPath(outDir, candidate);
+      if (!actual || !fs.statSync(path.join(outDir, actual)).isFile()) continue;
+      if (actual !== candidate) {
+        problems.push({ kind: 'case-mismatch', target, source, hint: `${base}${actual}` });
+      }
+      return actual;
+    }
+    problems.push({ kind: 'missing-file', target, source });
+  };
+
+  // 页面中的链接和资源，相对链接按页面所在目录解析
+  for (const page of listFiles(outDir, file => file.endsWith('.html'))) {
+    const html = fs.readFileSync(path.join(outDir, page), 'utf-8');
+    const pageUrl = new URL(`${base}${page}`, 'http://localhost');
+
+    for (const [, rawLink] of html.matchAll(attributeRE)) {
+      const link = rawLink.replace(/&amp;/g, '&');
+      if (!link || isExternal(link)) continue;
+
+      const url = new URL(link, pageUrl);
+      if (!url.pathname.startsWith(base)) {
+        problems.push({ kind: 'missing-base', target: link, source: page });
+        continue;
+      }
+
+      const pathname = url.pathname.slice(base.length);
+      if (ignored(`/${safeDecode(pathname)}`)) continue;
+
+      const file = link.startsWith('#') ? page : checkPath(pathname, link, page);
+      const anchor = safeDecode(url.hash.slice(1));
+      if (file?.endsWith('.html') && anchor && !getIds(file).has(anchor)) {
+        problems.push({ kind: 'missing-anchor', target: link, source: page });
+      }
+    }
+  }
+
+  // 组件中的路径不会经过 VitePress 的链接处理，需要用 withBase() 加上 base，而不是写死
+  for (const component of listFiles(srcDir, file => file.endsWith('.vue'))) {
+    const content = fs.readFileSync(path.join(srcDir, component), 'utf-8');
+
+    for (const [, withBase, , literal] of content.matchAll(componentPathRE)) {
+      let pathname = literal;
+      if (base !== '/' && literal.startsWith(base)) {
+        problems.push({ kind: 'hard-coded-base', target: literal, source: component });
+        pathname = literal.slice(base.length - 1);
+      } else if (!withBase) {
+        problems.push({ kind: 'missing-base', target: literal, source: component });
+      }
+
+      if (!ignored(safeDecode(pathname))) checkPath(pathname.slice(1), literal, component);
+    }
+  }
+
+  if (problems.length === 0) return;
+
+  // 按问题类型分组，同一个目标只列一次，后面是引用它的文件（侧边栏、导航中的链接会出现在每个页面里）
+  const lines: string[] = [];
+  (Object.keys(problemTitles) as ProblemKind[]).forEach(kind => {
+    const targets = new Map<string, { hint?: string; sources: Set<string> }>();
+    problems
+      .filter(problem => problem.kind === kind)
+      .forEach(({ target, source, hint }) => {
+        const entry = targets.get(target) ?? { hint, sources: new Set() };
+        entry.sources.add(source);
+        targets.set(target, entry);
+      });
+    if (targets.size === 0) return;
+
+    lines.push('', `${problemTitles[kind]}：`);
+    targets.forEach(({ hint, sources }, target) => {
+      const list = [...sources];
+      const more = list.length > 3 ? ` 等 ${list.length} 个文件` : '';
+      lines.push(`  ${target}${hint ? ` → ${hint}` : ''}`, `    ← ${list.slice(0, 3).join(', ')}${more}`);
+    });
+  });
+
+  siteConfig.logger.error(lines.join('\n'));
+  throw new Error(`Found ${problems.length} broken references, see the report above.`);
+}
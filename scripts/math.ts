@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import mathjax3 from 'markdown-it-mathjax3';
+import { mathjax } from 'mathjax-full/js/mathjax.js';
+import { TeX } from 'mathjax-full/js/input/tex.js';
+import { SVG } from 'mathjax-full/js/output/svg.js';
+import { liteAdaptor } from 'mathjax-full/js/adaptors/liteAdaptor.js';
+import { RegisterHTMLHandler } from 'mathjax-full/js/handlers/html.js';
+import { AllPackages } from 'mathjax-full/js/input/tex/AllPackages.js';
+import { AssistiveMmlHandler } from 'mathjax-full/js/a11y/assistive-mml.js';
+import type { MarkdownRenderer } from 'vitepress';
+
+// 宏定义，值是替换内容，带参数的宏写成 [替换内容, 参数个数]
+export type MathMacros = Record<string, string | [string, number]>;
+
+export interface MathOptions {
+  // 全站可用的宏，页面还可以在 frontmatter 的 macros 中定义自己的宏
+  macros?: MathMacros;
+  // 渲染结果的缓存目录，公式和宏都没有变化时直接使用上次的结果
+  cacheDir?: string;
+}
+
+// 公式在构建时用 MathJax 渲染成 SVG，页面不需要加载任何脚本、字体或 CDN 上的样式（样式见 theme/math.css）
+const adaptor = liteAdaptor();
+AssistiveMmlHandler(RegisterHTMLHandler(adaptor));
+
+// \newcommand 等定义会留在 MathJax 文档中，每个页面每次渲染都使用新的文档（见 math_labels），页面之间的宏不会互相影响
+function createDocument(macros: MathMacros) {
+  return mathjax.document('', {
+    InputJax: new TeX({ packages: AllPackages, macros }),
+    OutputJax: new SVG({ fontCache: 'none' })
+  });
+}
+
+// 在公式中定义宏的命令，定义要在页面的文档中实际执行一遍，所以这些公式不使用缓存
+const definitionRE = /\\(newcommand|renewcommand|newenvironment|renewenvironment|def|let|DeclareMathOperator)(?![a-zA-Z])/;
+
+function renderMath(tex: string, display: boolean, env: any, cacheDir?: string): string {
+  const definitions: string[] = env.mathDefinitions;
+  if (definitionRE.test(tex)) {
+    definitions.push(tex);
+    return adaptor.outerHTML(env.mathDocument.convert(tex, { display }));
+  }
+
+  // 缓存的键包含页面中在此之前的宏定义，定义改变后用到它的公式会重新渲染
+  const key = [mathjax.version, display, JSON.stringify(env.mathMacros), definitions, tex];
+  const hash = crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex');
+  const cacheFile = cacheDir && path.join(cacheDir, `${hash}.html`);
+  if (cacheFile && fs.existsSync(cacheFile)) return fs.readFileSync(cacheFile, 'utf-8');
+
+  const html = adaptor.outerHTML(env.mathDocument.convert(tex, { display }));
+  if (cacheDir && cacheFile) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(cacheFile, html);
+  }
+  return html;
+}
+
+// 同一个页面会被渲染多次（客户端、服务端、搜索索引），同样的警告只输出一次
+const warned = new Set<string>();
+
+function warn(message: string): void {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(message);
+}
+
+const labelRE = /\\label\{([^}]*)\}/g;
+const refRE = /\\(eq)?ref\{([^}]*)\}/g;
+
+function getEquationId(label: string): string {
+  return `eq-${label.trim().replace(/\s+/g, '-')}`;
+}
+
+// 页面的编号表：带 \label 的行间公式按出现顺序编号
+function getLabels(env: any): Map<string, number> {
+  return (env.mathLabels ??= new Map());
+}
+
+// \ref{x} 替换为编号，\eqref{x} 替换为带括号的编号，都链接到对应的公式
+function replaceRefs(tex: string, env: any): string {
+  const labels = getLabels(env);
+  return tex.replace(refRE, (_, eq: string | undefined, label: string) => {
+    const number = labels.get(label.trim());
+    if (number === undefined) {
+      warn(`Unknown equation label "${label}" in ${env.relativePath ?? 'markdown'}`);
+      return '\\text{(??)}';
+    }
+    return `\\href{#${getEquationId(label)}}{${eq ? `(${number})` : number}}`;
+  });
+}
+
+export function mathPlugin(md: MarkdownRenderer, options: MathOptions = {}): void {
+  // 沿用 markdown-it-mathjax3 对 $...$ 和 $$...$$ 的解析，渲染改为下面的实现
+  md.use(mathjax3);
+
+  // 解析完所有块级元素后先给公式编号，这样 \ref 可以引用后面的公式；同时为这次渲染准备新的 MathJax 文档
+  md.core.ruler.after('block', 'math_labels', state => {
+    state.env.mathMacros = { ...options.macros, ...state.env.frontmatter?.macros };
+    state.env.mathDocument = createDocument(state.env.mathMacros);
+    state.env.mathDefinitions = [];
+
+    const labels = getLabels(state.env);
+    labels.clear();
+    let count = 0;
+
+    state.tokens
+      .filter(token => token.type === 'math_block')
+      .forEach(token => {
+        const ids: string[] = [];
+        token.content = token.content.replace(labelRE, (_, label: string) => {
+          const number = ++count;
+          if (labels.has(label.trim())) {
+            warn(`Duplicate equation label "${label}" in ${state.env.relativePath ?? 'markdown'}`);
+          }
+          labels.set(label.trim(), number);
+          ids.push(getEquationId(label));
+          return `\\tag{${number}}`;
+        });
+        token.meta = { ...token.meta, ids };
+      });
+  });
+
+  md.renderer.rules.math_inline = (tokens, idx, _options, env) => {
+    return renderMath(replaceRefs(tokens[idx].content, env), false, env, options.cacheDir);
+  };
+
+  md.renderer.rules.math_block = (tokens, idx, _options, env) => {
+    const token = tokens[idx];
+    const html = renderMath(replaceRefs(token.content, env), true, env, options.cacheDir);
+    const ids: string[] = token.meta?.ids || [];
+    if (ids.length === 0) return html;
+
+    // 公式所在的块使用第一个标签作为锚点，同一个块中（如 align 环境）其余的标签各自放一个空锚点
+    const [first, ...rest] = ids;
+    return `<div class="math-equation" id="${md.utils.escapeHtml(first)}">${rest
+      .map(id => `<span id="${md.utils.escapeHtml(id)}"></span>`)
+      .join('')}${html}</div>`;
+  };
+}
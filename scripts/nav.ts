@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import type { DefaultTheme } from 'vitepress';
+import { isDownload, type Section } from './sidebar';
+
+export interface NavOptions {
+  // 放在自动生成的导航前面的手写导航项，例如首页
+  prepend?: DefaultTheme.NavItem[];
+  // 放在自动生成的导航后面的手写导航项
+  append?: DefaultTheme.NavItem[];
+  // 按板块前缀（如 '/jobs/'）覆盖自动生成的导航项，false 表示不在导航栏中显示该板块
+  override?: { [prefix: string]: Partial<DefaultTheme.NavItem> | false };
+}
+
+// 和 findFirstLink 相同，但跳过下载文件，导航只链接到页面
+function findFirstPageLink(item: any): string | undefined {
+  if (item.link && !isDownload(item.link)) return item.link;
+  for (const child of item.items || []) {
+    const link = findFirstPageLink(child);
+    if (link) return link;
+  }
+  return undefined;
+}
+
+// 有子目录的板块生成下拉菜单，每个子目录一项；没有子目录的板块直接链接到板块首页。
+// 只有下载文件的子目录不算，否则菜单项会直接打开文件，板块首页也无法从导航栏进入
+function createSectionNav({ prefix, item }: Section): DefaultTheme.NavItem | null {
+  const groups = (item.items || [])
+    .filter((child: any) => child.items || child.link?.endsWith('/'))
+    .filter((child: any) => findFirstPageLink(child));
+
+  if (groups.length === 0) {
+    const link = findFirstPageLink(item);
+    return link ? { text: item.text, link, activeMatch: `^${prefix}` } : null;
+  }
+
+  return {
+    text: item.text,
+    activeMatch: `^${prefix}`,
+    items: groups.map((group: any) => ({ text: group.text, link: findFirstPageLink(group) }))
+  };
+}
+
+export function buildNav(sections: Section[], options: NavOptions = {}): DefaultTheme.NavItem[] {
+  const override = options.override || {};
+  const generated: DefaultTheme.NavItem[] = [];
+
+  sections.forEach(section => {
+    if (section.back || override[section.prefix] === false) return;
+
+    const nav = createSectionNav(section);
+    if (nav) generated.push({ ...nav, ...override[section.prefix] } as DefaultTheme.NavItem);
+  });
+
+  return [...(options.prepend || []), ...generated, ...(options.append || [])];
+}
+
+// 按大小写精确判断文件是否存在（macOS、Windows 的文件系统不区分大小写）
+function existsExact(root: string, relativePath: string): boolean {
+  let dir = root;
+  for (const segment of relativePath.split('/').filter(Boolean)) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return false;
+    if (!fs.readdirSync(dir).includes(segment)) return false;
+    dir = path.join(dir, segment);
+  }
+  return true;
+}
+
+// 站内链接对应的页面是否存在：/a/ → a/index.md，/a → a.md 或 a/index.md
+export function resolvesToPage(srcDir: string, link: string): boolean {
+  const pathname = decodeURI(link.replace(/[?#].*$/, '')).replace(/\.(md|html)$/, '');
+  if (pathname === '/' || pathname === '') return existsExact(srcDir, 'index.md');
+  if (pathname.endsWith('/')) return existsExact(srcDir, `${pathname}index.md`);
+  return existsExact(srcDir, `${pathname}.md`) || existsExact(srcDir, `${pathname}/index.md`);
+}
+
+// 找出导航中指向不存在页面的站内链接（下载文件的链接已经带有 base，不在这里检查）
+export function findDeadNavLinks(srcDir: string, nav: DefaultTheme.NavItem[]): string[] {
+  const dead: string[] = [];
+
+  const visit = (item: any) => {
+    const link = item.link;
+    if (typeof link === 'string' && link.startsWith('/') && !isDownload(link) && !resolvesToPage(srcDir, link)) {
+      dead.push(`${item.text} → ${link}`);
+    }
+    (item.items || []).forEach(visit);
+  };
+  nav.forEach(visit);
+
+  return dead;
+}
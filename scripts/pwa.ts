@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import type { SiteConfig } from 'vitepress';
+import { listFiles } from './sidebar';
+
+export interface PwaOptions {
+  // 安装到桌面后显示的短名称
+  shortName: string;
+  themeColor: string;
+  backgroundColor: string;
+  // 应用图标，public 下的 PNG 文件（不带 base），尺寸从文件中读取
+  icons: string[];
+}
+
+// 预缓存的脚本超过这个大小时（如 tfjs）不预缓存，用到时再缓存
+const maxPrecacheSize = 512 * 1024;
+
+const serviceWorkerTemplate = fileURLToPath(new URL('./sw.js', import.meta.url));
+
+// PNG 文件头中的宽和高
+function readPngSize(file: string): string {
+  const header = fs.readFileSync(file).subarray(0, 24);
+  return `${header.readUInt32BE(16)}x${header.readUInt32BE(20)}`;
+}
+
+// 应用外壳：首页、入口脚本、样式和公共代码块，页面自己的代码块在打开页面时才缓存
+function listPrecacheFiles(outDir: string, icons: string[]): string[] {
+  const assets = listFiles(path.join(outDir, 'assets'), fullPath => fs.statSync(fullPath).size <= maxPrecacheSize)
+    .filter(file => /^(app\.[\w-]+\.js|style\.[\w-]+\.css|chunks\/.+\.js)$/.test(file));
+
+  return ['', 'manifest.webmanifest', ...icons.map(icon => icon.replace(/^\//, '')), ...assets.map(file => `assets/${file}`)];
+}
+
+// 版本号取整个构建结果的哈希，任何内容变化都会让浏览器发现新版本，从而提示更新
+function hashOutput(outDir: string): string {
+  const hash = crypto.createHash('sha1');
+  for (const file of listFiles(outDir, () => true).filter(file => file !== 'sw.js').sort()) {
+    hash.update(file).update(fs.readFileSync(path.join(outDir, file)));
+  }
+  return hash.digest('hex').slice(0, 12);
+}
+
+// 在构建输出中生成 manifest.webmanifest 和 sw.js，使站点可以安装并离线阅读；
+// 页面中注册 service worker 和提示更新的部分见 theme/components/UpdatePrompt.vue
+export function generatePwa(siteConfig: SiteConfig, options: PwaOptions): void {
+  const { outDir, site } = siteConfig;
+
+  const manifest = {
+    name: site.title,
+    short_name: options.shortName,
+    description: site.description,
+    lang: site.lang,
+    start_url: site.base,
+    scope: site.base,
+    display: 'standalone',
+    theme_color: options.themeColor,
+    background_color: options.backgroundColor,
+    icons: options.icons.map(icon => ({
+      src: `${site.base}${icon.replace(/^\//, '')}`,
+      sizes: readPngSize(path.join(outDir, icon)),
+      type: 'image/png',
+      purpose: 'any'
+    }))
+  };
+  fs.writeFileSync(path.join(outDir, 'manifest.webmanifest'), JSON.stringify(manifest, null, 2));
+
+  const serviceWorker = fs.readFileSync(serviceWorkerTemplate, 'utf-8')
+    .replace('__VERSION__', JSON.stringify(hashOutput(outDir)))
+    .replace('__PRECACHE_FILES__', JSON.stringify(listPrecacheFiles(outDir, options.icons)));
+  fs.writeFileSync(path.join(outDir, 'sw.js'), serviceWorker);
+}
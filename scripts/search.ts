@@ -0,0 +1,117 @@
+import { pinyin } from 'pinyin-pro';
+import type { DefaultTheme } from 'vitepress';
+import { findPageComponents, readComponentText } from './searchFiles';
+
+// 建索引和搜索共用的分词：连续的汉字拆成相邻两字的二元组，其他文字用 Intl.Segmenter 按词切分。
+// 二元组与上下文无关，"并查集" 无论出现在句子的什么位置都会得到 "并查"、"查集"，配合 AND 组合即可在句中匹配。
+// 这个函数会被序列化后在浏览器中执行，不能引用函数外的任何变量
+export function tokenize(text: string): string[] {
+  const tokens: string[] = [];
+  const segmenter = new Intl.Segmenter('zh', { granularity: 'word' });
+
+  for (const part of text.split(/(\p{Script=Han}+)/u)) {
+    if (!part) continue;
+
+    if (/^\p{Script=Han}+$/u.test(part)) {
+      if (part.length === 1) tokens.push(part);
+      for (let i = 0; i < part.length - 1; i++) {
+        tokens.push(part.slice(i, i + 2));
+      }
+    } else {
+      for (const { segment, isWordLike } of segmenter.segment(part)) {
+        if (isWordLike) tokens.push(segment);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// 标题中汉字的全拼和首字母，整段和按词（两个字以上）各一份，这样 "bcj"、"bingchaji"、"tiwen" 都能搜到对应的标题
+function getPinyinTokens(title: string): string[] {
+  const tokens = new Set<string>();
+  const segmenter = new Intl.Segmenter('zh', { granularity: 'word' });
+
+  for (const run of title.match(/\p{Script=Han}+/gu) || []) {
+    const words = [run, ...Array.from(segmenter.segment(run), ({ segment }) => segment).filter(word => word.length > 1)];
+    words.forEach(word => {
+      tokens.add(pinyin(word, { toneType: 'none', type: 'array' }).join(''));
+      tokens.add(pinyin(word, { pattern: 'first', toneType: 'none', type: 'array' }).join(''));
+    });
+  }
+
+  return [...tokens];
+}
+
+const headingRE = /<h(\d*).*?>(.*?<a.*? href="#.*?".*?>.*?<\/a>)<\/h\1>/gi;
+const headingContentRE = /(.*?)<a.*? href="#(.*?)".*?>.*?<\/a>/i;
+
+function clearHtmlTags(html: string): string {
+  return html.replace(/<[^>]*>/g, '');
+}
+
+// 把页面中使用的 Vue 组件替换为组件模板中的文字，组件里的说明（如俄罗斯方块的操作方式）归入它所在的章节
+function inlineComponents(file: string, html: string): string {
+  let result = html;
+  findPageComponents(file).forEach((componentPath, name) => {
+    const tagRE = new RegExp(`<${name}\\b[^>]*?(\\/>|>[\\s\\S]*?<\\/${name}>)`, 'g');
+    result = result.replace(tagRE, () => ` ${readComponentText(componentPath)} `);
+  });
+  return result;
+}
+
+// 与 VitePress 默认的按标题切分页面相同，另外把标题的拼音附加到正文字段：
+// 正文字段不会显示在搜索结果里，摘要和高亮来自页面本身
+export function* splitIntoSections(file: string, html: string): Generator<{ anchor: string; titles: string[]; text: string }> {
+  const result = inlineComponents(file, html).split(headingRE);
+  result.shift();
+  let parentTitles: string[] = [];
+
+  for (let i = 0; i < result.length; i += 3) {
+    const level = parseInt(result[i]) - 1;
+    const headingMatch = headingContentRE.exec(result[i + 1]);
+    const title = clearHtmlTags(headingMatch?.[1] ?? '').trim();
+    const anchor = headingMatch?.[2] ?? '';
+    const content = result[i + 2];
+    if (!title || !content) continue;
+
+    let titles = parentTitles.slice(0, level);
+    titles[level] = title;
+    titles = titles.filter(Boolean);
+
+    yield { anchor, titles, text: [clearHtmlTags(content), ...getPinyinTokens(title)].join(' ') };
+
+    if (level === 0) {
+      parentTitles = [title];
+    } else {
+      parentTitles[level] = title;
+    }
+  }
+}
+
+export const localSearchOptions: DefaultTheme.LocalSearchOptions = {
+  // 默认显示带高亮的正文摘要，结果标题上方是所在章节的层级
+  detailedView: true,
+  miniSearch: {
+    options: { tokenize },
+    searchOptions: { tokenize, combineWith: 'AND' },
+    _splitIntoSections: splitIntoSections
+  },
+  translations: {
+    button: {
+      buttonText: '搜索',
+      buttonAriaLabel: '搜索文档'
+    },
+    modal: {
+      displayDetails: '显示摘要',
+      resetButtonTitle: '清除',
+      backButtonTitle: '关闭搜索',
+      noResultsText: '没有找到相关结果',
+      footer: {
+        selectText: '选择',
+        navigateText: '切换',
+        closeText: '关闭'
+      }
+    }
+  }
+};
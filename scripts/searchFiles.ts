@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import { extractText, getDocumentProxy } from 'unpdf';
+import { getFileLink, listFiles, readDefaultIgnore } from './sidebar';
+
+// 搜索索引中的一条记录，字段与 VitePress 本地搜索的索引一致：id 是链接，titles 是结果上方的层级
+export interface FileSearchDocument {
+  id: string;
+  title: string;
+  titles: string[];
+  text: string;
+}
+
+// 单独建立索引的源代码文件，Vue 组件的文字随引用它的页面一起索引
+const codeExtensions = ['.py', '.ipynb', '.c', '.cpp', '.h', '.hpp', '.rs', '.java', '.go', '.js', '.ts', '.sh', '.m'];
+
+export function isCodeFile(file: string): boolean {
+  return codeExtensions.includes(path.extname(file).toLowerCase());
+}
+
+function isPdf(file: string): boolean {
+  return path.extname(file).toLowerCase() === '.pdf';
+}
+
+export function isSearchFile(file: string): boolean {
+  return isPdf(file) || isCodeFile(file);
+}
+
+// docs 下需要建立搜索索引的 PDF 和源代码文件
+export function listSearchFiles(dir: string): string[] {
+  return listFiles(dir, isSearchFile);
+}
+
+// PDF 每页一条结果，链接带上 #page=N，浏览器自带的 PDF 阅读器会直接跳到该页
+async function extractPdf(fullPath: string, link: string, relativePath: string): Promise<FileSearchDocument[]> {
+  const pdf = await getDocumentProxy(new Uint8Array(fs.readFileSync(fullPath)));
+  const { text } = await extractText(pdf, { mergePages: false });
+
+  return text
+    .map((pageText, index) => ({
+      id: `${link}#page=${index + 1}`,
+      title: `第 ${index + 1} 页`,
+      titles: ['PDF', relativePath],
+      text: pageText.replace(/\s+/g, ' ').trim()
+    }))
+    .filter(document => document.text);
+}
+
+// Jupyter 笔记本只取单元格的内容，不索引输出和元数据
+function readCode(fullPath: string): string {
+  const content = fs.readFileSync(fullPath, 'utf-8');
+  if (path.extname(fullPath).toLowerCase() !== '.ipynb') return content;
+
+  try {
+    const notebook = JSON.parse(content);
+    return (notebook.cells || []).map((cell: any) => [].concat(cell.source || []).join('')).join('\n');
+  } catch {
+    return content;
+  }
+}
+
+// 分词时 Intl.Segmenter 会把 mnist.load_data、std::io、x_train 这样的标识符当作一个词，
+// 把按 .、_ 和其他标点拆开的各部分（mnist、load_data、load、data）附加到正文，搜索函数名、模块名时也能找到
+function splitIdentifiers(code: string): string[] {
+  const parts = new Set<string>();
+
+  for (const [identifier] of code.matchAll(/[\p{L}\p{N}_$]+(?:[.:'][\p{L}\p{N}_$]+)*/gu)) {
+    if (!/[.:'_$]/.test(identifier)) continue;
+    [...identifier.split(/[.:']/), ...identifier.split(/[.:'_$]+/)]
+      .filter(part => part && part !== identifier)
+      .forEach(part => parts.add(part));
+  }
+
+  return [...parts];
+}
+
+// 提取 docs 下一个 PDF 或源代码文件的搜索记录，链接直接指向文件本身
+export async function extractFileDocuments(srcDir: string, relativePath: string, base?: string): Promise<FileSearchDocument[]> {
+  const fullPath = path.join(srcDir, relativePath);
+  const link = getFileLink(base, relativePath);
+
+  if (isPdf(fullPath)) return extractPdf(fullPath, link, relativePath);
+
+  const code = readCode(fullPath);
+  return [{
+    id: link,
+    title: path.basename(fullPath),
+    titles: ['代码', path.posix.dirname(relativePath)],
+    text: [code, ...splitIdentifiers(code)].join(' ')
+  }];
+}
+
+const templateRE = /<template>([\s\S]*)<\/template>/;
+const mustacheRE = /\{\{([\s\S]*?)\}\}/g;
+const stringLiteralRE = /(['"`])((?:(?!\1)[^\\]|\\.)*)\1/g;
+
+// Vue 组件模板中显示给用户的文字：去掉标签，插值表达式中只保留字符串字面量（如按钮的 '继续' : '暂停'）
+export function readComponentText(file: string): string {
+  const template = templateRE.exec(fs.readFileSync(file, 'utf-8'))?.[1] ?? '';
+
+  return template
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(mustacheRE, (_, expression: string) => Array.from(expression.matchAll(stringLiteralRE), match => match[2]).join(' '))
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const componentImportRE = /(?:import\s+(\w+)\s+from|(\w+)\s*=\s*defineClientComponent\(\s*\(\)\s*=>\s*import\()\s*['"](\.{1,2}\/[^'"]+\.vue)['"]/g;
+
+const isVue = (file: string) => path.extname(file) === '.vue';
+
+// 全局注册的组件（见 theme/index.ts）：docs 下和共享组件目录 .vitepress/components 中的 .vue 文件，组件名是文件名，重名时共享组件优先；
+// 和 theme/index.ts 中的 import.meta.glob 一样，只跳过隐藏目录、public 和 node_modules，.wikiignore 忽略的组件也会注册
+export function listGlobalComponents(srcDir: string): Map<string, string> {
+  const components = new Map<string, string>();
+  const sharedDir = path.join(srcDir, '.vitepress', 'components');
+
+  [srcDir, sharedDir].filter(dir => fs.existsSync(dir)).forEach(dir => {
+    listFiles(dir, isVue, '', readDefaultIgnore()).forEach(file => components.set(path.basename(file, '.vue'), path.join(dir, file)));
+  });
+
+  return components;
+}
+
+// 页面所在的文档目录：向上找到含有 .vitepress 的目录
+function findSrcDir(file: string): string | undefined {
+  for (let dir = path.dirname(file); dir !== path.dirname(dir); dir = path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, '.vitepress'))) return dir;
+  }
+}
+
+// 页面中使用的 Vue 组件：组件名 → 组件文件的绝对路径，包括直接使用的全局组件和在 <script setup> 中引入的组件
+export function findPageComponents(file: string): Map<string, string> {
+  const components = new Map<string, string>();
+  if (!fs.existsSync(file)) return components;
+
+  const content = fs.readFileSync(file, 'utf-8');
+  const srcDir = findSrcDir(file);
+  if (srcDir) {
+    listGlobalComponents(srcDir).forEach((componentPath, name) => {
+      if (new RegExp(`<${name}\\b`).test(content)) components.set(name, componentPath);
+    });
+  }
+
+  for (const match of content.matchAll(componentImportRE)) {
+    const componentPath = path.resolve(path.dirname(file), match[3]);
+    if (fs.existsSync(componentPath)) components.set(match[1] || match[2], componentPath);
+  }
+
+  return components;
+}
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import MiniSearch from 'minisearch';
+import type { Plugin } from 'vite';
+import type { SiteConfig } from 'vitepress';
+import { localSearchOptions } from './search';
+import { extractFileDocuments, isCodeFile, isSearchFile, listSearchFiles, type FileSearchDocument } from './searchFiles';
+
+// VitePress 本地搜索的索引模块（只有默认语言），内容是 export default "<序列化的 MiniSearch 索引>"
+const searchIndexModuleId = '/@localSearchIndexroot';
+const searchIndexPrefix = 'export default ';
+
+// 把 docs 下 PDF 和源代码文件的文字加入 VitePress 的本地搜索索引，结果直接链接到文件（PDF 链接到对应页）
+export function searchPlugin(): Plugin {
+  let siteConfig: SiteConfig;
+  let documents: Promise<FileSearchDocument[]> | undefined;
+
+  async function extractAll(): Promise<FileSearchDocument[]> {
+    const result: FileSearchDocument[] = [];
+    for (const file of listSearchFiles(siteConfig.srcDir)) {
+      try {
+        result.push(...(await extractFileDocuments(siteConfig.srcDir, file, siteConfig.site.base)));
+      } catch (error) {
+        siteConfig.logger.warn(`(!) Failed to extract search text from ${file}: ${(error as Error).message}`);
+      }
+    }
+    return result;
+  }
+
+  return {
+    name: 'djtu-wiki:search',
+
+    configResolved(config) {
+      siteConfig = (config as any).vitepress;
+    },
+
+    // 在 VitePress 生成的索引上追加文件的记录，MiniSearch 的选项要和 VitePress 建索引时一致
+    async transform(code, id) {
+      if (id !== searchIndexModuleId || !code.startsWith(searchIndexPrefix)) return;
+
+      const options = {
+        fields: ['title', 'titles', 'text'],
+        storeFields: ['title', 'titles'],
+        ...localSearchOptions.miniSearch?.options
+      };
+      const serialized = JSON.parse(code.slice(searchIndexPrefix.length));
+      const index = serialized === '{}' ? new MiniSearch(options) : MiniSearch.loadJSON(serialized, options);
+
+      documents ??= extractAll();
+      for (const document of await documents) {
+        if (!index.has(document.id)) index.add(document);
+      }
+
+      return `${searchIndexPrefix}${JSON.stringify(JSON.stringify(index))}`;
+    },
+
+    // 源代码文件不会被页面引用，需要和下载文件一样原样输出，搜索结果的链接才能打开（PDF 已由 docsPlugin 输出）
+    generateBundle() {
+      listSearchFiles(siteConfig.srcDir)
+        .filter(isCodeFile)
+        .forEach(fileName => {
+          this.emitFile({
+            type: 'asset',
+            fileName,
+            source: fs.readFileSync(path.join(siteConfig.srcDir, fileName))
+          });
+        });
+    },
+
+    configureServer(server) {
+      const srcDir = path.resolve(siteConfig.srcDir);
+
+      const onFileChange = async (file: string) => {
+        if (!isSearchFile(file) || !path.resolve(file).startsWith(srcDir)) return;
+
+        documents = undefined;
+        const indexModule = server.moduleGraph.getModuleById(searchIndexModuleId);
+        if (indexModule) await server.reloadModule(indexModule);
+      };
+
+      server.watcher
+        .on('add', onFileChange)
+        .on('unlink', onFileChange)
+        .on('change', onFileChange);
+    }
+  };
+}
@@ -0,0 +1,507 @@
+import fs from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import yaml from 'js-yaml';
+import ignore, { type Ignore } from 'ignore';
+
+// 路径中的空格、中文等字符统一编码，# 和 ? 也要编码，否则会被当成锚点和查询参数
+function formatPath(filePath: string): string {
+  return encodeURI(filePath.replace(/\\/g, '/').replace(/\.md$/, ''))
+    .replace(/#/g, '%23')
+    .replace(/\?/g, '%3F');
+}
+
+function formatText(name: string): string {
+  return name.replace(/-/g, ' ').replace(/\b\w/g, char => char.toUpperCase());
+}
+
+// 自然排序函数
+function naturalSort(a: string, b: string): number {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+export interface SidebarOptions {
+  // 站点的 base，下载链接不会经过 VitePress 的链接处理，需要自己加上
+  base?: string;
+  // 是否列出草稿页面，只在 docs:dev 中打开
+  includeDrafts?: boolean;
+}
+
+// 生成过程中向下传递的状态：调用方的选项加上 docs/.wikiignore 的规则
+interface SidebarContext extends SidebarOptions {
+  ignore: Ignore;
+  // 正在生成的上一级分组，以及收集到的有独立侧边栏的子目录
+  parent?: any;
+  scoped: { prefix: string; item: any; parent: any }[];
+}
+
+// docs/.wikiignore 列出不作为文档内容的文件，语法同 .gitignore；隐藏文件和 public 目录总是忽略
+const defaultIgnores = ['.*', '/public/', 'node_modules/'];
+
+// 只有默认规则，用于需要包含 .wikiignore 忽略的文件的地方
+export function readDefaultIgnore(): Ignore {
+  return ignore().add(defaultIgnores);
+}
+
+export function readWikiIgnore(dir: string): Ignore {
+  const ig = readDefaultIgnore();
+  const ignorePath = path.join(dir, '.wikiignore');
+  if (fs.existsSync(ignorePath)) {
+    ig.add(fs.readFileSync(ignorePath, 'utf-8'));
+  }
+  return ig;
+}
+
+// relativePath 相对于 docs，目录需要带上结尾的 / 才能匹配只针对目录的规则
+function isIgnored(ig: Ignore, relativePath: string, isDirectory: boolean): boolean {
+  const posixPath = relativePath.replace(/\\/g, '/');
+  return ig.ignores(isDirectory ? `${posixPath}/` : posixPath);
+}
+
+// 在侧边栏中作为下载条目列出的非 markdown 文件
+const downloadExtensions = ['.pdf', '.zip', '.rar', '.7z', '.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx', '.epub'];
+
+export function isDownload(file: string): boolean {
+  return downloadExtensions.includes(path.extname(file).toLowerCase());
+}
+
+function formatSize(bytes: number): string {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+// docs 下非页面文件的链接，这类链接不会经过 VitePress 的链接处理，需要自己加上 base
+export function getFileLink(base: string | undefined, relativePath: string): string {
+  return `${(base || '/').replace(/\/$/, '')}${formatPath(`/${relativePath}`)}`;
+}
+
+// 下载条目显示文件名、类型和大小，样式见 theme/sidebar.css
+function createDownloadItem(fullPath: string, relativePath: string, context: SidebarContext): any {
+  const ext = path.extname(fullPath);
+  const { size } = fs.statSync(fullPath);
+
+  return {
+    text: `${path.basename(fullPath, ext)} <span class="sidebar-download">${ext.slice(1).toUpperCase()} · ${formatSize(size)}</span>`,
+    link: getFileLink(context.base, relativePath),
+    target: '_blank'
+  };
+}
+
+// 列出 docs 下满足条件的文件（相对路径），跳过 .wikiignore 忽略的文件
+export function listFiles(
+  dir: string,
+  predicate: (fullPath: string) => boolean,
+  basePath = '',
+  ig = readWikiIgnore(dir)
+): string[] {
+  const result: string[] = [];
+
+  fs.readdirSync(dir).forEach(file => {
+    const fullPath = path.join(dir, file);
+    const relativePath = path.posix.join(basePath, file);
+    const isDirectory = fs.statSync(fullPath).isDirectory();
+    if (isIgnored(ig, relativePath, isDirectory)) return;
+
+    if (isDirectory) {
+      result.push(...listFiles(fullPath, predicate, relativePath, ig));
+    } else if (predicate(fullPath)) {
+      result.push(relativePath);
+    }
+  });
+
+  return result;
+}
+
+// 转义 glob 特殊字符，使路径可以直接用作 srcExclude
+function escapeGlob(file: string): string {
+  return file.replace(/[()[\]{}*?!]/g, '\\$&');
+}
+
+// docs 下需要随站点一起发布的下载文件
+export function listDownloads(dir: string): string[] {
+  return listFiles(dir, isDownload);
+}
+
+// frontmatter 中标记了 draft: true 的页面，返回值可直接用作 srcExclude
+export function listDrafts(dir: string): string[] {
+  return listFiles(dir, fullPath => fullPath.endsWith('.md') && readPageMeta(fullPath).draft).map(escapeGlob);
+}
+
+// 被 .wikiignore 忽略的页面，返回值可直接用作 srcExclude
+export function listIgnoredPages(dir: string): string[] {
+  const ig = readWikiIgnore(dir);
+  return listFiles(dir, fullPath => fullPath.endsWith('.md'), '', readDefaultIgnore())
+    .filter(file => ig.ignores(file))
+    .map(escapeGlob);
+}
+
+interface PageMeta {
+  title: string;
+  order?: number;
+  hidden: boolean;
+  draft: boolean;
+}
+
+// 去掉标题里的行内 markdown 标记，只保留文字
+export function stripInlineMarkdown(text: string): string {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|~~|`)(.+?)\1/g, '$2')
+    .replace(/<[^>]+>/g, '')
+    .trim();
+}
+
+// 取正文中第一个一级标题，跳过代码块
+export function findFirstHeading(content: string): string | undefined {
+  let fence: string | null = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (fence === null) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1].startsWith(fence)) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fence !== null) continue;
+
+    const heading = line.match(/^#\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const text = stripInlineMarkdown(heading[1]);
+      if (text) return text;
+    }
+  }
+
+  return undefined;
+}
+
+// 读取页面的 frontmatter（title / sidebarTitle / order / sidebar），没有标题时退回到首个 # 标题和文件名
+function readPageMeta(fullPath: string, name = path.basename(fullPath, '.md')): PageMeta {
+  const { data, content } = matter(fs.readFileSync(fullPath, 'utf-8'));
+  const order = Number(data.order);
+
+  return {
+    title: String(data.sidebarTitle || data.title || findFirstHeading(content) || formatText(name)),
+    order: data.order !== undefined && Number.isFinite(order) ? order : undefined,
+    hidden: data.sidebar === false,
+    draft: data.draft === true
+  };
+}
+
+// docs:dev 中草稿页面在侧边栏里的标记，样式见 theme/sidebar.css
+const draftBadge = ' <span class="sidebar-draft">draft</span>';
+
+interface SidebarEntry {
+  name: string;
+  order?: number;
+  item: any;
+}
+
+// 有 order 的排在前面并按 order 升序，其余按名称自然排序
+function compareEntries(a: SidebarEntry, b: SidebarEntry): number {
+  if (a.order !== undefined && b.order !== undefined && a.order !== b.order) {
+    return a.order - b.order;
+  }
+  if (a.order !== undefined && b.order === undefined) return -1;
+  if (a.order === undefined && b.order !== undefined) return 1;
+  return naturalSort(a.name, b.name);
+}
+
+// 目录下 _meta.json / _meta.yml 中可写的配置
+type MetaOrderItem = string | { text?: string; link?: string; type?: 'separator' };
+
+interface DirectoryMeta {
+  title?: string;
+  collapsed?: boolean;
+  order?: MetaOrderItem[];
+  hidden?: string[];
+  // 是否使用独立的侧边栏，有 SUMMARY.md 的目录默认使用
+  scoped?: boolean;
+}
+
+const metaFileNames = ['_meta.json', '_meta.yml', '_meta.yaml'];
+
+function readDirectoryMeta(dir: string): DirectoryMeta {
+  for (const fileName of metaFileNames) {
+    const metaPath = path.join(dir, fileName);
+    if (!fs.existsSync(metaPath)) continue;
+
+    const source = fs.readFileSync(metaPath, 'utf-8');
+    try {
+      const meta = (fileName.endsWith('.json') ? JSON.parse(source) : yaml.load(source)) || {};
+      // YAML 会把 `- 1` 这样的文件名解析成数字
+      return {
+        ...meta,
+        order: meta.order?.map((item: MetaOrderItem | number) => (typeof item === 'number' ? String(item) : item)),
+        hidden: meta.hidden?.map(String)
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse ${metaPath}: ${(error as Error).message}`);
+    }
+  }
+
+  return {};
+}
+
+// _meta 中的分隔线和外部链接；分隔线借用不带链接的条目来显示，样式见 theme/sidebar.css
+function createMetaItem(metaItem: Exclude<MetaOrderItem, string>, index: number): any {
+  if (metaItem.type === 'separator') {
+    return {
+      text: metaItem.text
+        ? `<span class="sidebar-separator">${metaItem.text}</span>`
+        : `<hr class="sidebar-separator" data-index="${index}">`
+    };
+  }
+
+  return { text: metaItem.text || metaItem.link, link: metaItem.link };
+}
+
+// 条目在 _meta 中的名字：文件去掉 .md 后缀，目录就是目录名
+function getEntryKey(name: string): string {
+  return name.replace(/\.md$/, '');
+}
+
+// 按 _meta.order 排列条目，没有列出的条目按 compareEntries 排在后面
+function orderEntries(entries: SidebarEntry[], meta: DirectoryMeta, dir: string): any[] {
+  const rest = new Map(entries.map(entry => [getEntryKey(entry.name), entry]));
+  const ordered: any[] = [];
+
+  (meta.order || []).forEach((metaItem, index) => {
+    if (metaItem === '---') {
+      ordered.push(createMetaItem({ type: 'separator' }, index));
+    } else if (typeof metaItem === 'string') {
+      const entry = rest.get(metaItem);
+      if (entry) {
+        ordered.push(entry.item);
+        rest.delete(metaItem);
+      } else if (metaItem !== 'index') {
+        console.warn(`Unknown entry "${metaItem}" in _meta of ${dir}`);
+      }
+    } else {
+      ordered.push(createMetaItem(metaItem, index));
+    }
+  });
+
+  return ordered.concat([...rest.values()].sort(compareEntries).map(entry => entry.item));
+}
+
+// mdBook / GitBook 风格的目录文件，允许带数字前缀，如 1.SUMMARY.md
+const summaryFileRE = /^(\d+\.)?summary\.md$/i;
+
+// SUMMARY 中的链接相对于它所在的目录；指向 index.md 的链接就是目录本身
+function resolveSummaryLink(basePath: string, target: string): string | undefined {
+  if (!target) return undefined;
+  if (/^[a-z][a-z\d+.-]*:/i.test(target)) return target;
+
+  const [file, hash] = target.split('#');
+  const relativePath = path.posix.normalize(path.posix.join(basePath.replace(/\\/g, '/'), decodeURI(file)));
+  const link = formatPath(`/${relativePath.replace(/(^|\/)index\.md$/, '$1')}`);
+
+  return hash ? `${link}#${hash}` : link;
+}
+
+// 去掉解析时为每个条目预留的空 items，有子项的条目设为可折叠
+function finishSummaryItems(items: any[]): any[] {
+  items.forEach(item => {
+    if (!item.items) return;
+    if (item.items.length === 0) {
+      delete item.items;
+    } else {
+      item.collapsed = false;
+      finishSummaryItems(item.items);
+    }
+  });
+  return items;
+}
+
+// 目录中有 SUMMARY.md 时，侧边栏完全按它的链接列表生成（包括层级和标题），SUMMARY 本身不显示
+function readSummary(dir: string, basePath: string): any[] | null {
+  const file = fs.readdirSync(dir).find(name => summaryFileRE.test(name));
+  if (!file) return null;
+
+  const { content } = matter(fs.readFileSync(path.join(dir, file), 'utf-8'));
+  const ownLink = formatPath(`/${basePath}/`);
+  const root: any[] = [];
+  const stack: { indent: number; items: any[] }[] = [{ indent: -1, items: root }];
+  let hasTitle = false;
+  let separators = 0;
+
+  for (const line of content.split(/\r?\n/)) {
+    // 第一个标题是目录本身的标题，之后的标题（mdBook 的 part）作为分隔标题
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      if (hasTitle) {
+        root.push(createMetaItem({ type: 'separator', text: stripInlineMarkdown(heading[1]) }, separators++));
+        stack.length = 1;
+      }
+      hasTitle = true;
+      continue;
+    }
+
+    if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+      root.push(createMetaItem({ type: 'separator' }, separators++));
+      stack.length = 1;
+      continue;
+    }
+
+    const chapter = line.match(/^(\s*)(?:[-*+]\s+)?\[(.+?)\]\((.*?)\)\s*$/);
+    if (!chapter) continue;
+
+    const indent = chapter[1].replace(/\t/g, '    ').length;
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+
+    const link = resolveSummaryLink(basePath, chapter[3].trim());
+    // 指向目录 index 的章节已经是分组标题的链接
+    if (link === ownLink) continue;
+
+    const item: any = { text: stripInlineMarkdown(chapter[2]) };
+    if (link) item.link = link;
+    item.items = [];
+    stack[stack.length - 1].items.push(item);
+    stack.push({ indent, items: item.items });
+  }
+
+  return finishSummaryItems(root);
+}
+
+// 分组本身没有 index 时，链接到分组里的第一篇文档
+export function findFirstLink(item: any): string | undefined {
+  if (item.link) return item.link;
+  for (const child of item.items || []) {
+    const link = findFirstLink(child);
+    if (link) return link;
+  }
+  return undefined;
+}
+
+// 目录中的 index.md 作为分组标题的链接，分组的标题和排序也取自 index 页面，_meta 中的配置优先
+function getDirectoryEntry(fullPath: string, relativePath: string, name: string, context: SidebarContext): SidebarEntry | null {
+  const meta = readDirectoryMeta(fullPath);
+  const indexPath = path.join(fullPath, 'index.md');
+  const index = fs.existsSync(indexPath) ? readPageMeta(indexPath, name) : null;
+  const indexHidden = !index
+    || index.hidden
+    || (index.draft && !context.includeDrafts)
+    || (meta.hidden || []).includes('index');
+  const link = indexHidden ? undefined : formatPath(`/${relativePath}/`);
+
+  const item: any = { text: meta.title || (index ? index.title : formatText(name)) };
+  if (link && index?.draft) item.text += draftBadge;
+  if (link) item.link = link;
+
+  const items = getFiles(fullPath, relativePath, { ...context, parent: item }, meta);
+  if (items.length === 0 && !link) return null;
+  if (items.length > 0) {
+    item.collapsed = meta.collapsed ?? false;
+    item.items = items;
+  }
+
+  // 独立侧边栏的子目录（例如一整本书）在上一级侧边栏中只保留一个入口
+  const scoped = meta.scoped ?? fs.readdirSync(fullPath).some(file => summaryFileRE.test(file));
+  if (scoped && context.parent && items.length > 0) {
+    context.scoped.push({ prefix: `/${relativePath.replace(/\\/g, '/')}/`, item, parent: context.parent });
+    return { name, order: index?.order, item: { text: item.text, link: link ?? findFirstLink(item) } };
+  }
+
+  return { name, order: index?.order, item };
+}
+
+function getFiles(dir: string, basePath: string, context: SidebarContext, meta = readDirectoryMeta(dir)): any[] {
+  const summary = readSummary(dir, basePath);
+  if (summary) return summary;
+
+  const entries: SidebarEntry[] = [];
+  const hidden = new Set(meta.hidden || []);
+
+  fs.readdirSync(dir).forEach(file => {
+    const fullPath = path.join(dir, file);
+    const relativePath = path.join(basePath, file);
+    const isDirectory = fs.statSync(fullPath).isDirectory();
+    if (hidden.has(getEntryKey(file)) || isIgnored(context.ignore, relativePath, isDirectory)) return;
+
+    if (isDirectory) {
+      const entry = getDirectoryEntry(fullPath, relativePath, file, context);
+      if (entry) entries.push(entry);
+    } else if (file.endsWith('.md') && file.toLowerCase() !== 'readme.md' && file !== 'index.md') {
+      const page = readPageMeta(fullPath);
+      if (page.hidden || (page.draft && !context.includeDrafts)) return;
+
+      entries.push({
+        name: file,
+        order: page.order,
+        item: {
+          text: page.draft ? page.title + draftBadge : page.title,
+          link: formatPath(`/${relativePath}`)
+        }
+      });
+    } else if (isDownload(file)) {
+      entries.push({ name: file, item: createDownloadItem(fullPath, relativePath, context) });
+    }
+  });
+
+  return orderEntries(entries, meta, dir);
+}
+
+export type Sidebar = { [key: string]: any[] };
+
+// 顶级目录（板块）及其分组，侧边栏和导航栏都由它生成；有独立侧边栏的子目录也是一个 Section，
+// 它带有返回上一级的链接 back，不出现在导航栏中
+export interface Section {
+  prefix: string;
+  item: any;
+  back?: any;
+}
+
+// 顶级目录按 docs/_meta 的 order 排列，其余按 index 的 order 和目录名排序
+export function getSections(dir: string, options: SidebarOptions = {}): Section[] {
+  const context: SidebarContext = { ...options, ignore: readWikiIgnore(dir), scoped: [] };
+  const meta = readDirectoryMeta(dir);
+  const hidden = new Set(meta.hidden || []);
+  const order = (meta.order || []).filter((item): item is string => typeof item === 'string');
+  const rank = (name: string) => (order.includes(name) ? order.indexOf(name) : Infinity);
+  const entries: SidebarEntry[] = [];
+
+  fs.readdirSync(dir).forEach(section => {
+    const fullPath = path.join(dir, section);
+    if (hidden.has(section) || !fs.statSync(fullPath).isDirectory()) return;
+    if (isIgnored(context.ignore, section, true)) return;
+
+    const entry = getDirectoryEntry(fullPath, section, section, context);
+    if (entry) entries.push(entry);
+  });
+
+  const sections: Section[] = entries
+    .sort((a, b) => rank(a.name) - rank(b.name) || compareEntries(a, b))
+    .map(entry => ({ prefix: `/${entry.name}/`, item: entry.item }));
+
+  // 上一级分组生成完之后才知道它的链接
+  context.scoped.forEach(({ prefix, item, parent }) => {
+    sections.push({ prefix, item, back: { text: `← ${parent.text}`, link: findFirstLink(parent) } });
+  });
+
+  return sections;
+}
+
+export function buildSidebar(sections: Section[]): Sidebar {
+  const sidebar: Sidebar = {};
+
+  sections.forEach(({ prefix, item, back }) => {
+    if (back) {
+      // VitePress 按最长的前缀匹配侧边栏，子目录中的页面会使用这里的独立侧边栏
+      sidebar[prefix] = [back, item];
+    } else {
+      // 有 index 的板块整体作为一个可点击的分组，否则直接列出子项
+      sidebar[prefix] = item.link ? [item] : item.items;
+    }
+  });
+
+  return sidebar;
+}
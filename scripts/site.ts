@@ -0,0 +1,27 @@
+// 站点的部署位置，默认是 GitHub Pages；部署到校园网镜像、其他子路径或域名根目录时用环境变量覆盖，不需要改代码：
+//   WIKI_SITE_URL=https://wiki.example.edu.cn/djtu-wiki/  站点的完整地址，未设置 WIKI_BASE 时 base 取其中的路径
+//   WIKI_BASE=/                                           站点所在的路径
+const defaultSiteUrl = 'https://general-computer-junkyard.github.io/djtu-wiki/';
+
+export interface SiteLocation {
+  // 站点所在的路径，以 / 开头和结尾，用作 VitePress 的 base
+  base: string;
+  // 站点首页的完整地址（已包含 base，以 / 结尾），用于 sitemap、订阅源等需要绝对链接的地方
+  url: string;
+}
+
+function normalizeBase(base: string): string {
+  return `/${base.replace(/^\/+|\/+$/g, '')}/`.replace(/^\/\/$/, '/');
+}
+
+export function resolveSiteLocation(env: NodeJS.ProcessEnv = process.env): SiteLocation {
+  let siteUrl: URL;
+  try {
+    siteUrl = new URL(env.WIKI_SITE_URL || defaultSiteUrl);
+  } catch {
+    throw new Error(`Invalid WIKI_SITE_URL: ${env.WIKI_SITE_URL}`);
+  }
+
+  const base = normalizeBase(env.WIKI_BASE ?? siteUrl.pathname);
+  return { base, url: `${siteUrl.origin}${base}` };
+}
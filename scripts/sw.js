@@ -0,0 +1,130 @@
+// service worker 模板：构建时由 scripts/pwa.ts 填入版本号和预缓存文件列表，输出为站点根目录下的 sw.js
+const version = __VERSION__;
+const precacheFiles = __PRECACHE_FILES__;
+
+const precacheName = `djtu-wiki-precache-${version}`;
+// 访问过的页面，以及它们引用的脚本和样式（文件名带内容哈希，不会过期）
+const pagesCacheName = 'djtu-wiki-pages';
+const assetsCacheName = 'djtu-wiki-assets';
+// MNIST 演示的 tfjs 模型，文件名不带哈希，离线时用缓存，在线时后台更新
+const modelCacheName = 'djtu-wiki-model';
+// 资源缓存的上限，超出时删掉最早缓存的（多次部署后积累的旧版本文件）
+const maxAssets = 300;
+
+const scope = self.registration.scope;
+const resolve = (file) => new URL(file, scope).href;
+const isUnder = (url, dir) => url.startsWith(resolve(dir));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(precacheName).then(cache => cache.addAll(precacheFiles.map(resolve))));
+});
+
+// 新版本安装后不会立即接管，等页面上的“更新”按钮发来 skip-waiting
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') self.skipWaiting();
+  if (event.data?.type === 'cache-page') event.waitUntil(cachePage(event.data.url).catch(() => {}));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('djtu-wiki-precache-') && name !== precacheName)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+
+    // 已缓存的页面换成新版本，使它们引用新部署的资源；离线或失败时保留旧的
+    const pages = await (await caches.open(pagesCacheName)).keys();
+    await Promise.all(pages.map(request => cachePage(request.url, true).catch(() => {})));
+    await trimCache(assetsCacheName, maxAssets);
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(scope)) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetchPage(request));
+  } else if (isUnder(request.url, 'model/')) {
+    event.respondWith(staleWhileRevalidate(event, modelCacheName));
+  } else if (isUnder(request.url, 'assets/')) {
+    event.respondWith(cacheFirst(request, assetsCacheName));
+  } else {
+    // 图片、PDF、页面历史等其他文件优先请求网络，离线时才用缓存
+    event.respondWith(fetch(request).catch(() => caches.match(request).then(response => response || Response.error())));
+  }
+});
+
+// 缓存页面和它引用的脚本、样式；页面的 .lean.js 对应站内跳转时加载的完整版本，一起缓存
+async function cachePage(url, refresh = false) {
+  const pagesCache = await caches.open(pagesCacheName);
+  if (!refresh && await pagesCache.match(url)) return;
+
+  const response = await fetch(url);
+  if (!response.ok || !response.headers.get('content-type')?.includes('text/html')) return;
+  const html = await response.clone().text();
+  await pagesCache.put(url, response);
+
+  const assets = new Set();
+  for (const [, link] of html.matchAll(/(?:href|src)="([^"]*\/assets\/[^"]+)"/g)) {
+    const asset = new URL(link, url).href;
+    assets.add(asset);
+    if (asset.endsWith('.lean.js')) assets.add(asset.replace(/\.lean\.js$/, '.js'));
+  }
+
+  const assetsCache = await caches.open(assetsCacheName);
+  await Promise.all([...assets].map(async (asset) => {
+    if (await caches.match(asset)) return;
+    const assetResponse = await fetch(asset);
+    if (assetResponse.ok) await assetsCache.put(asset, assetResponse);
+  }));
+}
+
+// 页面优先请求网络（保证内容最新），离线时用缓存，没有缓存时显示离线提示；
+// 页面由客户端在每次打开后发来 cache-page 时缓存，见 theme/components/UpdatePrompt.vue
+async function fetchPage(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    return new Response(
+      `<!DOCTYPE html><html lang="zh-CN"><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>离线</title>` +
+      `<body style="font-family:sans-serif;padding:2em;line-height:1.6"><h1>当前处于离线状态</h1>` +
+      `<p>这个页面还没有缓存，联网后打开一次即可离线阅读。</p><p><a href="${scope}">返回首页</a></p></body></html>`,
+      { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+    );
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(cacheName).then(cache => cache.put(request, copy));
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request).then(async (response) => {
+    if (response.ok) await cache.put(event.request, response.clone());
+    return response;
+  });
+
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+}
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}